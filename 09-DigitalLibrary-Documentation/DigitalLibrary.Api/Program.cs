@@ -214,6 +214,10 @@ if (app.Environment.IsDevelopment())
         // Custom CSS for better appearance
         options.InjectStylesheet("/swagger-ui/custom.css");
         
+        // Message bundles for the custom UI text; they must load before custom.js
+        options.InjectJavascript("/swagger-ui/locales/en.js");
+        options.InjectJavascript("/swagger-ui/locales/es.js");
+        
         // Custom JavaScript for enhanced functionality
         options.InjectJavascript("/swagger-ui/custom.js");
         
@@ -232,11 +236,23 @@ if (app.Environment.IsDevelopment())
             {
                 ["curl_bash"] = new { title = "cURL (bash)", syntax = "bash" },
                 ["curl_powershell"] = new { title = "cURL (PowerShell)", syntax = "powershell" },
-                ["curl_cmd"] = new { title = "cURL (CMD)", syntax = "bash" }
+                ["curl_cmd"] = new { title = "cURL (CMD)", syntax = "bash" },
+                ["javascript_fetch"] = new { title = "JavaScript (fetch)", syntax = "javascript" },
+                ["javascript_axios"] = new { title = "JavaScript (axios)", syntax = "javascript" },
+                ["csharp_httpclient"] = new { title = "C# (HttpClient)", syntax = "csharp" },
+                ["python_requests"] = new { title = "Python (requests)", syntax = "python" },
+                ["httpie"] = new { title = "HTTPie", syntax = "bash" }
             },
             ["defaultExpanded"] = true,
-            ["languages"] = new[] { "curl_bash", "curl_powershell", "curl_cmd" }
+            ["languages"] = new[]
+            {
+                "curl_bash", "curl_powershell", "curl_cmd",
+                "javascript_fetch", "javascript_axios", "csharp_httpclient", "python_requests", "httpie"
+            }
         });
+        
+        // Swagger UI plugins defined in custom.js (evaluated by name when the UI is created)
+        options.ConfigObject.AdditionalItems.Add("plugins", new[] { "RequestSnippetsPlugin" });
     });
 }
 
@@ -0,0 +1,738 @@
+// English messages for custom.js, grouped by the section that uses them. {name} placeholders
+// are filled in by t(); { one, other } entries are picked by count. Other bundles fall back to these.
+window.DocsMessages = window.DocsMessages || {};
+window.DocsMessages.en = {
+    // Shared
+    'common.close': 'Close',
+    'common.loadingDefinition': 'Loading definition...',
+    'common.loadDefinitionFailed': '❌ Could not load the definition: {error}',
+    'common.cancel': 'Cancel',
+    'common.closeDialog': 'Close dialog',
+
+    // Language picker
+    'language.label': 'Language',
+    'language.changed': '🌐 Language: {language}',
+
+    // Version panel
+    'version.title': 'API Version Information',
+    'version.current': 'Current Version:',
+    'version.status': 'Status:',
+    'version.stable': 'Stable',
+    'version.lastUpdated': 'Last Updated:',
+    'version.breakingChanges': 'Breaking Changes:',
+    'version.checking': 'Checking...',
+    'version.compare': '🔀 Compare Versions',
+    'version.noneAvailable': 'None',
+    'version.noneBetween': 'None between {base} and {latest}',
+    'version.countBetween': '{count} between {base} and {latest}',
+    'version.unknown': 'Unknown (could not load specs)',
+
+    // Operations
+    'operations.idTooltip': 'Operation ID: {id}',
+
+    // Health check
+    'health.checkFailed': '❌ API health check failed: {error}',
+    'health.healthy': '✅ API is healthy! Library has {books} books and {authors} authors.',
+    'health.slowNote': ' (slow: {duration})',
+    'health.state.up': 'up',
+    'health.state.slow': 'slow',
+    'health.state.down': 'down',
+    'health.state.unknown': 'unknown',
+    'health.timeout': 'No response within {seconds}s',
+    'health.backUp': '✅ API is back up ({duration})',
+    'health.respondingSlowly': '🐢 API is responding slowly ({duration})',
+    'health.isDown': '❌ API is down: {error}',
+    'health.stateChange': '{message} — was {previous}',
+    'health.indicator.paused': '{state} (paused)',
+    'health.indicator.off': 'MONITOR OFF',
+    'health.indicator.title': 'API {state} · {duration} · checked {time}',
+    'health.indicator.offTitle': 'API health monitor is off. Click to configure.',
+    'health.indicator.ariaLabel': 'API health: {label}. Open the health monitor',
+
+    // Health monitor
+    'healthMonitor.title': 'API Health Monitor',
+    'healthMonitor.background': 'Monitor in background',
+    'healthMonitor.every': 'Every',
+    'healthMonitor.slowAbove': 'Slow above',
+    'healthMonitor.polls': 'Polls {path}. Requests that fail or take longer than {seconds}s count as down.',
+    'healthMonitor.checkNow': '🏥 Check Now',
+    'healthMonitor.clear': '🗑️ Clear Timeline',
+    'healthMonitor.empty': 'No checks yet. Enable the monitor or click "Check Now".',
+    'healthMonitor.current': 'Current',
+    'healthMonitor.uptime': 'Uptime',
+    'healthMonitor.average': 'Avg response',
+    'healthMonitor.counts': 'Up / Slow / Down',
+    'healthMonitor.responseTime': { one: 'Response time (last check)', other: 'Response time (last {count} checks)' },
+    'healthMonitor.timeline': 'Timeline',
+    'healthMonitor.sparkline': 'Response time sparkline, max {max}',
+    'healthMonitor.max': 'max {max}',
+
+    // Quick Test
+    'quickTest.title': 'Quick Test',
+    'quickTest.heading': '🧪 Smoke Test Suite',
+    'quickTest.building': '⏳ Building test suite from the specification...',
+    'quickTest.runAgain': '🔁 Run Again',
+    'quickTest.downloadJUnit': '📄 Download JUnit XML',
+    'quickTest.passedNotice': { one: '✅ Quick test passed! {count} check succeeded.', other: '✅ Quick test passed! {count} checks succeeded.' },
+    'quickTest.failedNotice': { one: '❌ Quick test: {failed} of {count} check failed.', other: '❌ Quick test: {failed} of {count} checks failed.' },
+    'quickTest.failed': '❌ Quick test failed: {error}',
+    'quickTest.requiresParameters': 'Requires parameters: {parameters}',
+    'quickTest.noListOperation': 'No list operation at {path} to take an id from',
+    'quickTest.noIdInList': 'GET {path} returned no items with an id',
+    'quickTest.requestFailed': 'Request failed: {error}',
+    'quickTest.expectedSuccess': 'Expected a successful response, got HTTP {status}',
+    'quickTest.undocumentedStatus': 'HTTP {status} is not documented (documented: {documented})',
+    'quickTest.none': 'none',
+    'quickTest.untyped': 'untyped',
+    'quickTest.unexpectedBody': 'HTTP {status} documents no content but a {type} body was returned',
+    'quickTest.noContent': 'HTTP {status}, no content as documented',
+    'quickTest.undocumentedType': 'Content-Type "{type}" is not documented for {status} ({documented})',
+    'quickTest.passedCount': '✅ {count} passed',
+    'quickTest.failedCount': '❌ {count} failed',
+    'quickTest.skippedCount': '⏭️ {count} skipped',
+    'quickTest.running': 'running...',
+    'quickTest.waitForRun': '⚠️ Wait for the test run to finish first.',
+    'quickTest.reportDownloaded': '📄 JUnit report downloaded',
+
+    // Scenario Runner
+    'scenarios.default.name': 'Loan lifecycle',
+    'scenarios.default.createAuthor': 'Create author',
+    'scenarios.default.createBook': 'Create book',
+    'scenarios.default.borrow': 'Borrow the book',
+    'scenarios.default.return': 'Return the book',
+    'scenarios.default.payFine': 'Pay fine (none due for an on-time return)',
+    'scenarios.title': 'Scenario Runner',
+    'scenarios.new': '➕ New',
+    'scenarios.export': '📤 Export',
+    'scenarios.import': '📥 Import',
+    'scenarios.delete': '🗑️ Delete',
+    'scenarios.save': '💾 Save',
+    'scenarios.run': '▶ Run',
+    'scenarios.name': 'Name',
+    'scenarios.addStep': '➕ Add Step',
+    'scenarios.help': 'Use {variable} for extracted variables and {timestamp} for a per-run unique value. Extract one variable per line as {extract}; assert one check per line as {examples} or {exists}. Steps without a status check must return 2xx; a failing step stops the run.',
+    'scenarios.newName': 'New scenario',
+    'scenarios.customRequest': 'Custom request',
+    'scenarios.stepName': 'Step name',
+    'scenarios.moveUp': 'Move up',
+    'scenarios.moveDown': 'Move down',
+    'scenarios.removeStep': 'Remove step',
+    'scenarios.moveStepUp': 'Move step {number} up',
+    'scenarios.moveStepDown': 'Move step {number} down',
+    'scenarios.removeStepNumber': 'Remove step {number}',
+    'scenarios.body': 'JSON body',
+    'scenarios.extract': 'Extract',
+    'scenarios.assert': 'Assert',
+    'scenarios.noSteps': 'No steps yet. Pick an operation below to add one.',
+    'scenarios.untitled': 'Untitled scenario',
+    'scenarios.stepLabel': 'Step {number}',
+    'scenarios.badExtract': '{label}: cannot read extract line "{line}" (expected name = $.path)',
+    'scenarios.badAssertion': '{label}: cannot read assertion "{line}"',
+    'scenarios.saved': '💾 Scenario "{name}" saved',
+    'scenarios.confirmDelete': 'Delete scenario "{name}"?',
+    'scenarios.imported': { one: '📥 Imported {count} scenario', other: '📥 Imported {count} scenarios' },
+    'scenarios.importFailed': '❌ Import failed: {error}',
+    'scenarios.invalidScenario': 'expected a scenario object with a "steps" array',
+    'scenarios.importedName': 'Imported scenario',
+    'scenarios.stepWithoutPath': 'step {number} has no path',
+    'scenarios.addStepFirst': '⚠️ Add at least one step first.',
+    'scenarios.failed': '❌ Scenario "{name}" failed',
+    'scenarios.passed': '✅ Scenario "{name}" passed',
+    'scenarios.requestFailed': 'Request failed: {error}',
+    'scenarios.status2xx': 'status is 2xx',
+    'scenarios.extractCheck': 'extract {name} = {path}',
+    'scenarios.notFound': 'not found',
+    'scenarios.checksFailed': { one: '{count} check failed', other: '{count} checks failed' },
+    'scenarios.checksPassed': { one: '{count} check passed', other: '{count} checks passed' },
+    'scenarios.unknownVariable': 'Unknown variable {placeholder}',
+    'scenarios.jsonPathStart': 'JSONPath must start with $: {path}',
+    'scenarios.jsonPathSyntax': 'Unsupported JSONPath syntax at "{rest}"',
+    'scenarios.runLog': 'Run log — {name}',
+    'scenarios.skipped': 'skipped',
+    'scenarios.noResponse': 'no response',
+    'scenarios.stepSummary': '→ {status} in {duration} · {message}',
+    'scenarios.actual': 'actual:',
+    'scenarios.responseBody': 'Response body',
+    'scenarios.remaining': { one: '⏳ {count} step remaining...', other: '⏳ {count} steps remaining...' },
+
+    // Notifications
+    'notifications.dismiss': 'Dismiss notification',
+
+    // Demo credentials in the Authorize dialog
+    'demoCredentials.title': '🎭 Demo Authentication Credentials',
+    'demoCredentials.intro': 'Use these demo credentials to test the API:',
+    'demoCredentials.userRole': '👤 User Role',
+    'demoCredentials.librarianRole': '📚 Librarian Role',
+    'demoCredentials.adminRole': '👑 Admin Role',
+    'demoCredentials.apiKey': 'API Key:',
+    'demoCredentials.fillUser': 'Fill User Credentials',
+    'demoCredentials.fillLibrarian': 'Fill Librarian Credentials',
+    'demoCredentials.fillAdmin': 'Fill Admin Credentials',
+    'demoCredentials.role.user': 'User',
+    'demoCredentials.role.librarian': 'Librarian',
+    'demoCredentials.role.admin': 'Admin',
+    'demoCredentials.filled': '✅ {role} credentials filled successfully!',
+
+    // Authentication Helper
+    'authHelper.title': 'Authentication Helper',
+    'authHelper.methods': '🔐 Authentication Methods',
+    'authHelper.bearer': '1. Bearer Token (JWT)',
+    'authHelper.bearerText': 'Use JWT tokens for user authentication. The token should be prefixed with "Bearer ".',
+    'authHelper.apiKey': '2. API Key',
+    'authHelper.apiKeyText': 'Use API keys for service-to-service authentication via the X-API-Key header.',
+    'authHelper.apiKeyPlaceholder': 'your-api-key-here',
+    'authHelper.basic': '3. Basic Authentication',
+    'authHelper.basicText': 'Use username and password for basic HTTP authentication.',
+    'authHelper.oauth': '4. OAuth2 (Simulated)',
+    'authHelper.oauthText': 'OAuth2 flow simulation for demonstration purposes.',
+    'authHelper.note': '⚠️ Note:',
+    'authHelper.noteText': 'This is a demonstration API. All authentication is simulated and no real security is enforced.',
+
+    // JWT Inspector and Token Builder
+    'jwt.inspector': '🔍 JWT Inspector',
+    'jwt.pastePlaceholder': 'Paste a JWT (with or without the Bearer prefix)',
+    'jwt.inspectAuthorized': 'Inspect Authorized Token',
+    'jwt.demoUser': 'Demo User',
+    'jwt.demoLibrarian': 'Demo Librarian',
+    'jwt.demoAdmin': 'Demo Admin',
+    'jwt.builder': '🛠️ Token Builder',
+    'jwt.subject': 'Subject',
+    'jwt.role': 'Role',
+    'jwt.scopes': 'Scopes (space separated)',
+    'jwt.expires': 'Expires',
+    'jwt.additionalClaims': 'Additional claims (JSON object)',
+    'jwt.unsignedNote': 'Built tokens use {alg} and carry no signature; they are only meant for this demo API.',
+    'jwt.build': 'Build Token',
+    'jwt.buildAndUse': 'Build &amp; Use as Bearer',
+    'jwt.expiry.minutes15': '15 minutes',
+    'jwt.expiry.hour1': '1 hour',
+    'jwt.expiry.day1': '1 day',
+    'jwt.expiry.days30': '30 days',
+    'jwt.expiry.expired': 'Already expired (1 hour ago)',
+    'jwt.expiry.never': 'Never (no exp claim)',
+    'jwt.claims.sub': 'Subject',
+    'jwt.claims.role': 'Role',
+    'jwt.claims.scope': 'Scopes',
+    'jwt.claims.exp': 'Expires',
+    'jwt.claims.iat': 'Issued at',
+    'jwt.claims.nbf': 'Not before',
+    'jwt.claims.iss': 'Issuer',
+    'jwt.claims.aud': 'Audience',
+    'jwt.segmentCount': 'Expected 3 dot-separated segments, found {count}',
+    'jwt.badHeader': 'The header is not a base64url-encoded JSON object',
+    'jwt.badPayload': 'The payload is not a base64url-encoded JSON object',
+    'jwt.invalid': '❌ Not a valid JWT: {error}',
+    'jwt.noExp': '⚠️ No {exp} claim: this token never expires.',
+    'jwt.expired': '⛔ This token expired {when}.',
+    'jwt.notYetValid': '⛔ This token is not valid until {date}.',
+    'jwt.validUntil': '✅ Valid until {date}.',
+    'jwt.unsigned': 'Unsigned token',
+    'jwt.signedWith': 'Signed with {alg} — the signature is not verified here',
+    'jwt.unknownAlgorithm': 'an unknown algorithm',
+    'jwt.header': 'Header',
+    'jwt.noBearer': '⚠️ No Bearer token is authorized yet.',
+    'jwt.claimsNotJson': '❌ Additional claims are not valid JSON: {error}',
+    'jwt.claimsNotObject': '❌ Additional claims must be a JSON object.',
+    'jwt.built': '🛠️ Token built — see the inspector above',
+    'jwt.bearerFilled': '✅ Bearer token for role "{role}" filled successfully!',
+    'jwt.openAuthorize': '⚠️ Open the Authorize dialog to use this token.',
+
+    // Spec download
+    'download.title': 'Download OpenAPI Specification',
+    'download.options': '📥 Download Options',
+    'download.document': 'Document',
+    'download.currentlySelected': 'Currently selected ({version})',
+    'download.json': '📄 Download JSON Format',
+    'download.yaml': '📝 Download YAML Format',
+    'download.view': '👁️ View in New Tab',
+    'download.yamlDone': '📥 OpenAPI {version} spec downloaded in YAML format',
+    'download.yamlFailed': '❌ YAML export failed: {error}',
+    'download.jsonDone': '📥 OpenAPI {version} spec downloaded in JSON format',
+
+    // Spec Comparison
+    'specDiff.title': 'Compare API Versions',
+    'specDiff.heading': '🔀 Version Comparison',
+    'specDiff.base': 'Base',
+    'specDiff.target': 'Target',
+    'specDiff.compare': 'Compare',
+    'specDiff.downloadMarkdown': '📝 Download Markdown',
+    'specDiff.copyMarkdown': '📋 Copy Markdown',
+    'specDiff.selectTwo': 'Select two documents to compare.',
+    'specDiff.loading': '⏳ Loading specifications...',
+    'specDiff.failed': '❌ Comparison failed: {error}',
+    'specDiff.identical': '✅ The documents are identical.',
+    'specDiff.runFirst': '⚠️ Run a comparison first.',
+    'specDiff.downloaded': '📝 Comparison report downloaded as Markdown',
+    'specDiff.copied': '📋 Markdown report copied to clipboard',
+    'specDiff.copyFailed': '❌ Copy failed: {error}',
+    'specDiff.category.breaking': 'Breaking',
+    'specDiff.category.nonBreaking': 'Non-breaking',
+    'specDiff.category.documentation': 'Documentation only',
+    'specDiff.area.info': 'info',
+    'specDiff.area.tags': 'tags',
+    'specDiff.area.security': 'security',
+    'specDiff.area.paths': 'paths',
+    'specDiff.area.operation': 'operation',
+    'specDiff.area.parameters': 'parameters',
+    'specDiff.area.request body': 'request body',
+    'specDiff.area.responses': 'responses',
+    'specDiff.markdown.title': 'API changes: {base} → {target}',
+    'specDiff.markdown.compared': 'Compared {base} ({baseVersion}) with {target} ({targetVersion}) on {date}.',
+    'specDiff.markdown.unknownVersion': 'unknown',
+    'specDiff.markdown.section': '{emoji} {label} changes',
+    'specDiff.subject.title': 'Title',
+    'specDiff.subject.description': 'Description',
+    'specDiff.subject.summary': 'Summary',
+    'specDiff.subject.tagDescription': 'Tag description',
+    'specDiff.subject.securitySchemeDescription': 'Security scheme description',
+    'specDiff.subject.requestBodyDescription': 'Request body description',
+    'specDiff.subject.responseDescription': 'Response {status} description',
+    'specDiff.subject.descriptionOf': '{subject} description',
+    'specDiff.subject.parameter': '{in} parameter "{name}"',
+    'specDiff.textAdded': '{subject} added',
+    'specDiff.textRemoved': '{subject} removed',
+    'specDiff.textChanged': '{subject} changed',
+    'specDiff.pathRemoved': 'Path removed',
+    'specDiff.pathAdded': 'Path added',
+    'specDiff.operationRemoved': 'Operation removed',
+    'specDiff.operationAdded': 'Operation added',
+    'specDiff.securitySchemeRemoved': 'Security scheme removed',
+    'specDiff.securitySchemeAdded': 'Security scheme added',
+    'specDiff.securitySchemeFieldChanged': 'Security scheme {field} changed from "{before}" to "{after}"',
+    'specDiff.operationIdChanged': 'operationId changed from "{before}" to "{after}"',
+    'specDiff.operationDeprecated': 'Operation deprecated',
+    'specDiff.operationUndeprecated': 'Operation no longer deprecated',
+    'specDiff.tagsChanged': 'Tags changed from [{before}] to [{after}]',
+    'specDiff.requiredAdded': 'Required {subject} added',
+    'specDiff.optionalAdded': 'Optional {subject} added',
+    'specDiff.becameRequired': '{subject} became required',
+    'specDiff.becameOptional': '{subject} became optional',
+    'specDiff.deprecated': '{subject} deprecated',
+    'specDiff.requestBodyAddedRequired': 'Required request body added',
+    'specDiff.requestBodyAddedOptional': 'Optional request body added',
+    'specDiff.requestBodyRemoved': 'Request body removed',
+    'specDiff.requestBodyBecameRequired': 'Request body became required',
+    'specDiff.responseRemoved': 'Response {status} removed',
+    'specDiff.responseAdded': 'Response {status} added',
+    'specDiff.mediaTypeRemoved': '{subject} media type {mediaType} removed',
+    'specDiff.mediaTypeAdded': '{subject} media type {mediaType} added',
+    'specDiff.none': 'none',
+    'specDiff.typeChanged': '{pointer}: type changed from {before} to {after}',
+    'specDiff.formatChanged': '{pointer}: format changed from {before} to {after}',
+    'specDiff.becameNullable': '{pointer}: became nullable',
+    'specDiff.noLongerNullable': '{pointer}: no longer nullable',
+    'specDiff.exampleChanged': '{pointer}: example changed',
+    'specDiff.propertyRemoved': '{pointer}: property removed',
+    'specDiff.propertyAdded': '{pointer}: property added',
+    'specDiff.requiredPropertyAdded': '{pointer}: required property added',
+    'specDiff.propertyBecameRequired': '{pointer}: became required',
+    'specDiff.propertyNoLongerRequired': '{pointer}: no longer required',
+    'specDiff.enumRemoved': '{pointer}: enum values removed {values}',
+    'specDiff.enumAdded': '{pointer}: enum values added {values}',
+    'specDiff.constraintChanged': '{pointer}: {field} changed from {before} to {after}',
+    'specDiff.patternChanged': '{pointer}: pattern changed',
+    'specDiff.authRequired': 'Authentication now required ({requirements})',
+    'specDiff.authNoLongerRequired': 'Authentication no longer required',
+    'specDiff.requirementRemoved': 'Security requirement {requirement} no longer accepted',
+    'specDiff.requirementAdded': 'Security requirement {requirement} now accepted',
+
+    // API Explorer
+    'explorer.title': 'API Explorer',
+    'explorer.heading': '🗺️ API Quick Explorer',
+    'explorer.empty': 'This definition has no operations yet.',
+    'explorer.noDescription': 'No description',
+    'explorer.noOperations': 'No operations',
+    'explorer.deprecated': '⚠️ {count} deprecated: {operations}',
+
+    // Theme
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.highContrast': 'High contrast',
+    'theme.system': 'System',
+    'theme.systemNow': '{theme} (now {current})',
+    'theme.title': 'Theme: {theme}. Click for the next theme.',
+    'theme.ariaLabel': 'Theme: {theme}. Switch to the next theme',
+    'theme.changed': '{icon} Theme: {theme}',
+
+    // Keyboard Shortcuts
+    'shortcuts.palette': 'Command palette (operations, schemas, tags, actions)',
+    'shortcuts.download': 'Download OpenAPI spec',
+    'shortcuts.help': 'Show this help',
+    'shortcuts.title': 'Keyboard Shortcuts',
+    'shortcuts.heading': '⌨️ Keyboard Shortcuts',
+    'shortcuts.escape': 'Close dialogs, the command palette and the history drawer',
+
+    // Actions (command palette and topbar)
+    'actions.downloadSpec': 'Download Spec',
+    'actions.healthCheck': 'Health Check',
+    'actions.healthMonitor': 'Health Monitor',
+    'actions.quickTest': 'Run Quick Test',
+    'actions.quickTestShort': 'Quick Test',
+    'actions.nextTheme': 'Next Theme',
+    'actions.theme': 'Theme: {theme}',
+    'actions.authHelper': 'Auth Helper',
+    'actions.explorer': 'API Explorer',
+    'actions.explorerShort': 'Explorer',
+    'actions.dashboard': 'Library Dashboard',
+    'actions.dashboardShort': 'Dashboard',
+    'actions.loansConsole': 'Loans Console',
+    'actions.loansConsoleShort': 'Loans',
+    'actions.compareVersions': 'Compare Versions',
+    'actions.scenarios': 'Scenario Runner',
+    'actions.scenariosShort': 'Scenarios',
+    'actions.contractDrift': 'Contract Drift Summary',
+    'actions.contractDriftShort': 'Contract Drift',
+    'actions.history': 'Request History',
+    'actions.historyShort': 'History',
+    'actions.exportRequests': 'Export Requests (Postman, HAR, .http)',
+    'actions.exportRequestsShort': 'Export Requests',
+    'actions.latency': 'Latency Analytics',
+    'actions.mockMode': 'Mock Mode',
+    'actions.environments': 'Manage Environments',
+    'actions.keyboardHelp': 'Keyboard Shortcuts',
+
+    // Command Palette
+    'palette.label': 'Command palette',
+    'palette.placeholder': 'Search operations, schemas, tags and actions…',
+    'palette.searchLabel': 'Search operations, schemas, tags and actions',
+    'palette.results': 'Results',
+    'palette.hint': '{up} {down} navigate · {enter} open · {esc} close',
+    'palette.action': 'Action',
+    'palette.tag': 'Tag',
+    'palette.schema': 'Schema',
+    'palette.noMatches': 'No matches',
+    'palette.recent': 'recent',
+
+    // Environment Switcher
+    'environments.local': 'Local (this server)',
+    'environments.profile.development': 'Development',
+    'environments.profile.testing': 'Testing',
+    'environments.profile.production': 'Production',
+    'environments.selectLabel': 'Environment for try-it-out requests',
+    'environments.manage': 'Manage environments',
+    'environments.none': '🌐 No environment',
+    'environments.banner': '🚨 {name} — try-it-out requests go to {url} and may change real data',
+    'environments.cleared': '🌐 Requests go to this server with the Authorize dialog credentials',
+    'environments.switched': '🌐 Switched to {name} ({url})',
+    'environments.title': 'Environments',
+    'environments.intro': 'The selected profile rewrites try-it-out, replayed, Quick Test and health check requests. Its API key and Bearer token replace the Authorize dialog credentials; leave them empty to keep those. Profiles are stored in this browser\'s localStorage.',
+    'environments.add': '➕ Add Profile',
+    'environments.save': '💾 Save',
+    'environments.restore': '↩️ Restore Defaults',
+    'environments.name': 'Name',
+    'environments.baseUrl': 'Base URL',
+    'environments.apiKey': 'API Key',
+    'environments.bearerToken': 'Bearer Token',
+    'environments.production': 'Production',
+    'environments.delete': 'Delete profile',
+    'environments.deleteNamed': 'Delete profile {name}',
+    'environments.empty': 'No profiles yet.',
+    'environments.unnamed': 'Unnamed',
+    'environments.newProfile': 'New environment',
+    'environments.needsAbsoluteUrl': '❌ "{name}" needs an absolute http(s) base URL',
+    'environments.saved': '💾 Environments saved',
+
+    // Mock Mode
+    'mock.settings': 'Mock mode settings',
+    'mock.on': '🎭 MOCK ON',
+    'mock.off': '🎭 Mock off',
+    'mock.toggleOn': 'Mock mode on. Open mock mode settings',
+    'mock.toggleOff': 'Mock mode off. Open mock mode settings',
+    'mock.title': 'Mock Mode',
+    'mock.answerLocally': 'Answer try-it-out requests locally',
+    'mock.delay': 'Delay',
+    'mock.intro': 'Responses come from the selected definition: documented examples when present, otherwise values built from the response schema. Path parameters such as {id} and JSON request fields are echoed into response fields of the same name. Mocked calls carry an {header} header and are left out of latency metrics and request history.',
+    'mock.statusPerOperation': 'Status per operation',
+    'mock.resetStatuses': '↩️ Reset Statuses',
+    'mock.defaultStatus': 'Default ({status})',
+    'mock.enabled': '🎭 Mock mode on: try-it-out no longer reaches the API',
+    'mock.disabled': '🎭 Mock mode off',
+
+    // Response Schema Validation
+    'validation.statusUndocumented': 'status {status} is not documented (documented: {documented})',
+    'validation.none': 'none',
+    'validation.noSchema': 'no schema documented for this status',
+    'validation.noBody': 'the response has no body but a schema is documented',
+    'validation.notValidated': '{type} responses are not validated',
+    'validation.invalidJson': 'the body is not valid JSON',
+    'validation.notNullable': 'is null but the schema is not nullable',
+    'validation.noAlternative': 'matches none of the {keyword} schemas',
+    'validation.wrongType': 'expected {expected}, got {actual}',
+    'validation.notInEnum': '{value} is not one of {options}',
+    'validation.badFormat': '{value} is not a valid {format}',
+    'validation.notInt32': '{value} does not fit in int32',
+    'validation.empty': 'must not be empty',
+    'validation.minLength': 'must be at least {min} characters (got {length})',
+    'validation.maxLength': 'must be at most {max} characters (got {length})',
+    'validation.pattern': 'does not match the pattern {pattern}',
+    'validation.greaterThan': 'must be greater than {min}',
+    'validation.atLeast': 'must be at least {min}',
+    'validation.lessThan': 'must be less than {max}',
+    'validation.atMost': 'must be at most {max}',
+    'validation.requiredMissing': 'required property is missing',
+    'validation.notAllowed': 'property is not allowed by the schema',
+    'validation.undocumented': 'property is not documented',
+    'validation.absent': 'documented property is absent',
+    'validation.errors': { one: '{count} error', other: '{count} errors' },
+    'validation.warnings': { one: '{count} warning', other: '{count} warnings' },
+    'validation.skipped': '📐 Schema check skipped: {reason}',
+    'validation.matches': '📐 Response {status} matches the documented schema',
+    'validation.drifts': '📐 Response {status} drifts from the documented schema: {errors}, {warnings}',
+    'validation.driftSummaryLink': 'Drift summary',
+    'drift.title': 'Contract Drift',
+    'drift.intro': 'Operations whose live responses did not match the documented schema during this session.',
+    'drift.reset': '🗑️ Reset',
+    'drift.empty': 'No responses checked yet. Use "Try it out" on any operation.',
+    'drift.summary': { one: '{drifted} of {count} checked operation drifted.', other: '{drifted} of {count} checked operations drifted.' },
+    'drift.row': { one: 'drifted in {drifted}/{count} response; last {status} at {time}: {errors}, {warnings}', other: 'drifted in {drifted}/{count} responses; last {status} at {time}: {errors}, {warnings}' },
+    'drift.skipped': 'Skipped: {reason}',
+    'drift.matched': 'Last response matched the schema.',
+
+    // Request Body Forms
+    'bodyForm.choose': '-- choose --',
+    'bodyForm.notSet': '(not set)',
+    'bodyForm.range': '{min} to {max}',
+    'bodyForm.maxChars': 'max {max} chars',
+    'bodyForm.optional': 'optional',
+    'bodyForm.jsonOnly': '{ } JSON only',
+    'bodyForm.formView': '📝 Form view',
+    'bodyForm.notObject': 'the body is not a JSON object',
+    'bodyForm.unparsable': '⚠️ The JSON below does not parse ({error}); form edits will replace it.',
+    'bodyForm.invalidJson': 'Not valid JSON yet',
+    'bodyForm.body': 'body',
+    'bodyForm.notSent': { one: 'Request not sent: {count} field to fix ({fields})', other: 'Request not sent: {count} fields to fix ({fields})' },
+
+    // Response Table View
+    'table.stop': '⏹ Stop (page {page} of {total})',
+    'table.fetchAll': { one: '⏬ Fetch all {count} page', other: '⏬ Fetch all {count} pages' },
+    'table.hide': '{ } Hide table',
+    'table.show': '▦ Table view',
+    'table.filter': 'Filter rows…',
+    'table.filterLabel': 'Filter rows',
+    'table.pageOf': ' · page {page} of {total}, {count} in total',
+    'table.allPages': ' · all pages',
+    'table.rows': { one: '{count} row', other: '{count} rows' },
+    'table.filteredRows': { one: '{shown} of {count} row', other: '{shown} of {count} rows' },
+    'table.noMatches': 'No rows match the filter.',
+    'table.truncated': 'Showing the first {shown} of {count} rows; exports include all of them.',
+    'table.fetched': { one: '⏬ Fetched {rows} rows from {count} page', other: '⏬ Fetched {rows} rows from {count} pages' },
+    'table.fetchStopped': '⏹ Fetching pages stopped; the table still shows the original response',
+    'table.fetchFailed': '❌ Could not fetch all pages: {error}',
+    'table.pageFailed': 'HTTP {status} on page {page}',
+    'table.tooManyPages': 'stopped after {max} pages',
+    'table.exported': { one: '📄 Exported {count} row as {format}', other: '📄 Exported {count} rows as {format}' },
+
+    // Library Dashboard
+    'dashboard.title': 'Library Dashboard',
+    'dashboard.heading': '📊 Library Dashboard',
+    'dashboard.genres': 'Books by Genre',
+    'dashboard.bookStatus': 'Books by Status',
+    'dashboard.loansOverTime': 'Loans per Month',
+    'dashboard.loanStatus': 'Loans by Status',
+    'dashboard.topAuthors': 'Top Authors by Loans',
+    'dashboard.ratings': 'Ratings Distribution',
+    'dashboard.refresh': '🔄 Refresh',
+    'dashboard.httpError': 'HTTP {status} from {path}',
+    'dashboard.loading': '⏳ Loading...',
+    'dashboard.updated': 'Updated {time}',
+    'dashboard.books': 'Books',
+    'dashboard.authors': 'Authors',
+    'dashboard.availableCopies': 'Available copies',
+    'dashboard.activeLoans': 'Active loans',
+    'dashboard.overdueLoans': 'Overdue loans',
+    'dashboard.finesCollected': 'Fines collected',
+    'dashboard.averageRating': 'Average rating',
+    'dashboard.library': 'Library',
+    'dashboard.dataAsOf': '{name} data as of {date}',
+    'dashboard.available': 'Available',
+    'dashboard.allOnLoan': 'All copies on loan',
+    'dashboard.inactive': 'Inactive',
+    'dashboard.copiesOnShelf': '{available} of {total} copies on the shelf',
+    'dashboard.noLoans': 'No loans recorded yet.',
+    'dashboard.lastMonths': 'Last {shown} months of {total}',
+    'dashboard.overdue': 'Overdue',
+    'dashboard.status': 'Status {status}',
+    'dashboard.noAuthorLoans': 'No author has any loans yet.',
+    'dashboard.authorTitle': { one: '{name}: {loans} loans, {count} book', other: '{name}: {loans} loans, {count} books' },
+    'dashboard.mostPopular': 'most popular: {title}',
+    'dashboard.comparedAuthors': 'Compared the first {compared} of {total} authors',
+    'dashboard.unrated': 'Unrated',
+    'dashboard.topRated': 'Top rated:',
+    'dashboard.noData': 'No data.',
+    'dashboard.max': 'max {max}',
+    'dashboard.chart.genres': 'Books by genre',
+    'dashboard.chart.bookStatus': 'Books by status',
+    'dashboard.chart.loansPerMonth': 'Loans per month',
+    'dashboard.chart.loanStatus': 'Loans by status',
+    'dashboard.chart.topAuthors': 'Top authors by loans',
+    'dashboard.chart.ratings': 'Books by average rating',
+    'dashboard.unit.books': 'books',
+    'dashboard.unit.loans': 'loans',
+    'dashboard.count.books': { one: '{count} book', other: '{count} books' },
+    'dashboard.count.loans': { one: '{count} loan', other: '{count} loans' },
+
+    // Loans Console
+    'loans.returned': 'Returned',
+    'loans.renewed': 'Renewed',
+    'loans.finePaid': 'Fine paid',
+    'loans.return': 'Return',
+    'loans.renew': 'Renew',
+    'loans.payFine': 'Pay fine',
+    'loans.title': 'Loans Console',
+    'loans.heading': '📋 Overdue Loans',
+    'loans.renewNote': 'The library does not renew overdue loans, so Renew stays unavailable here until a loan is returned and checked out again.',
+    'loans.filter': 'Filter by borrower, email or book…',
+    'loans.filterLabel': 'Filter overdue loans',
+    'loans.returnSelected': '↩️ Return selected',
+    'loans.returnSelectedCount': '↩️ Return selected ({count})',
+    'loans.refresh': '🔄 Refresh',
+    'loans.loading': '⏳ Loading overdue loans...',
+    'loans.loadFailed': '❌ Could not load overdue loans: {error}',
+    'loans.needsAuth': ' — set credentials with 🔐 Auth Helper or Authorize first',
+    'loans.none': '✅ No overdue loans.',
+    'loans.selectAll': 'Select all shown loans',
+    'loans.column.loan': 'Loan',
+    'loans.column.book': 'Book',
+    'loans.column.borrower': 'Borrower',
+    'loans.column.due': 'Due',
+    'loans.column.daysOverdue': 'Days overdue',
+    'loans.column.fine': 'Fine',
+    'loans.column.actions': 'Actions',
+    'loans.column.outcome': 'Outcome',
+    'loans.summary': { one: '{count} overdue loan still out · {fines} in fines accrued', other: '{count} overdue loans still out · {fines} in fines accrued' },
+    'loans.shown': ' · {count} shown',
+    'loans.actionLabel': '{verb} loan #{id}',
+    'loans.selectLoan': 'Select loan #{id}',
+    'loans.estimated': 'Estimated at {rate} per day; charged on return',
+    'loans.accrued': 'accrued',
+    'loans.paid': 'paid',
+    'loans.alreadyReturned': 'Already returned',
+    'loans.cannotRenew': 'Overdue loans and loans at their renewal limit cannot be renewed',
+    'loans.fineAlreadyPaid': 'Fine already paid',
+    'loans.fineOnReturn': 'The fine is charged when the book is returned',
+    'loans.announce': 'Loan #{id}: {message}',
+    'loans.confirmReturn': { one: 'Return {count} loan?', other: 'Return {count} loans?' },
+    'loans.bulkPartial': '⚠️ Returned {returned} of {count} loans; see the outcome column for the failures',
+    'loans.bulkDone': { one: '✅ Returned {count} loan', other: '✅ Returned {count} loans' },
+    'loans.returnedLate': 'Returned late · fine {amount}',
+    'loans.renewedUntil': 'Renewed · due {date}',
+    'loans.requestFailed': 'request failed',
+    'loans.notAuthorized': 'not authorized',
+
+    // Performance metrics and latency analytics
+    'metrics.title': 'Click for per-operation latency analytics',
+    'metrics.requests': '📊 Requests: {count} · {operations} ops',
+    'metrics.errors': '❗ Errors: {rate}',
+    'latency.title': 'Latency Analytics',
+    'latency.heading': '📊 Per-Operation Latency',
+    'latency.intro': 'Try-it-out and replayed calls, grouped by the operation whose path template matches the URL. Errors count 4xx, 5xx and network failures.',
+    'latency.exportCsv': '📄 Export CSV',
+    'latency.reset': '🔄 Reset',
+    'latency.empty': 'No API requests measured yet. Use "Try it out" on any operation.',
+    'latency.column.operation': 'Operation',
+    'latency.column.count': 'Count',
+    'latency.column.min': 'Min',
+    'latency.column.max': 'Max',
+    'latency.column.errors': 'Errors',
+    'latency.column.histogram': 'Histogram',
+    'latency.noTemplate': '(no matching template)',
+    'latency.resetDone': '🔄 Latency statistics reset',
+    'latency.nothingToExport': '⚠️ No latency data to export yet.',
+    'latency.exported': '📄 Latency statistics exported as CSV',
+
+    // Request history
+    'history.confirmClear': 'Delete all recorded requests?',
+    'history.cleared': '🗑️ Request history cleared',
+    'history.clearFailed': '❌ Could not clear history: {error}',
+    'history.heading': '🕘 Request History',
+    'history.clear': 'Clear',
+    'history.close': 'Close request history',
+    'history.search': 'Search method, URL, status or body...',
+    'history.searchLabel': 'Search request history',
+    'history.diffSelected': '🔀 Diff Selected',
+    'history.export': '📤 Export',
+    'history.diffHint': 'Tick two entries to compare their responses',
+    'history.noMatches': 'No requests match your search.',
+    'history.empty': 'No requests recorded yet. Use "Try it out" to make a call.',
+    'history.source.replay': '↻ replay',
+    'history.source.scenario': '🎬 scenario',
+    'history.source.loans-console': '📋 loans console',
+    'history.resend': '↻ Resend',
+    'history.edit': '✏️ Edit &amp; Resend',
+    'history.details': '🔍 Details',
+    'history.replayed': '↻ {method} replayed: HTTP {status}',
+    'history.replayFailed': '❌ Replay failed: {error}',
+    'history.editTitle': 'Edit &amp; Resend Request',
+    'history.headersJson': 'Headers (JSON)',
+    'history.redactedHint': '{value} values are replaced with the credentials currently entered in Authorize.',
+    'history.body': 'Body',
+    'history.send': '↻ Send',
+    'history.invalidHeaders': '❌ Headers must be valid JSON: {error}',
+    'history.recordedTitle': 'Recorded Request',
+    'history.networkError': 'Network error',
+    'history.status': 'Status <strong>{status}</strong> in {duration} · {time}',
+    'history.none': '(none)',
+    'history.requestHeaders': 'Request headers',
+    'history.requestBody': 'Request body',
+    'history.responseHeaders': 'Response headers',
+    'history.responseBody': 'Response body',
+    'history.selectTwo': '⚠️ Select exactly two requests to compare.',
+    'history.diffTitle': 'Response Diff',
+
+    // Request export
+    'export.title': 'Export Requests',
+    'export.wholeSpec': 'Whole specification ({version})',
+    'export.recorded': 'Recorded requests',
+    'export.selectAll': 'Select all',
+    'export.loading': 'Loading…',
+    'export.includeCredentials': 'Include the current credentials in the variables (tokens and API keys end up in the files)',
+    'export.postmanHint': 'collection + environment',
+    'export.harHint': 'with timings',
+    'export.httpFile': '.http file',
+    'export.readFailed': '❌ Could not read the request history: {error}',
+    'export.selected': '{selected} of {count} selected',
+    'export.nothing': '⚠️ Nothing to export: select at least one request.',
+    'export.done': { one: '📤 Exported {count} request', other: '📤 Exported {count} requests' },
+    'export.failed': '❌ Export failed: {error}',
+
+    // Load test
+    'loadTest.open': '⚡ Load Test',
+    'loadTest.title': 'Load Test',
+    'loadTest.noRequest': '⚠️ Execute the operation with "Try it out" first; the load test replays that request.',
+    'loadTest.unsupportedBody': '⚠️ Only requests with a JSON or text body can be load tested.',
+    'loadTest.intro': 'Replays the last try-it-out request of this operation, with the same parameters, body and credentials. Load test requests are not added to the performance metrics or the history. Browsers open at most six connections per host over HTTP/1.1, so higher concurrency queues in the browser.',
+    'loadTest.mockNote': '🎭 Mock mode is on: responses come from the documented examples, not the server.',
+    'loadTest.requests': 'Requests',
+    'loadTest.mode': 'Mode',
+    'loadTest.mode.concurrency': 'Fixed concurrency',
+    'loadTest.mode.rate': 'Fixed rate',
+    'loadTest.concurrency': 'Concurrency',
+    'loadTest.rate': 'Rate (req/s)',
+    'loadTest.start': '▶ Start',
+    'loadTest.stop': '⏹ Stop',
+    'loadTest.confirmWrite': { one: 'This sends {count} {method} request, which may change data. Continue?', other: 'This sends {count} {method} requests, each of which may change data. Continue?' },
+    'loadTest.confirmProduction': 'The active environment "{name}" is marked as production. Load test it anyway?',
+    'loadTest.started': { one: 'Load test started: {count} request', other: 'Load test started: {count} requests' },
+    'loadTest.finished': { one: 'Load test finished: {count} request in {duration} s', other: 'Load test finished: {count} requests in {duration} s' },
+    'loadTest.stopped': { one: 'Load test stopped after {count} request', other: 'Load test stopped after {count} requests' },
+    'loadTest.completed': 'Completed',
+    'loadTest.progress': '{completed} / {count}',
+    'loadTest.throughput': 'Average throughput',
+    'loadTest.perSecond': '{rate} req/s',
+    'loadTest.lastSecond': 'Last second',
+    'loadTest.elapsed': 'Elapsed',
+    'loadTest.seconds': '{seconds} s',
+    'loadTest.inFlight': 'In flight',
+    'loadTest.lateStarts': 'Late starts',
+    'loadTest.lateNote': 'Fixed rate keeps at most {max} requests in flight. Requests that came due while all of them were busy started late, so the throughput and latencies include that wait in the browser.',
+    'loadTest.errors': 'Errors (4xx, 5xx, network)',
+    'loadTest.percentiles': 'Latency percentiles',
+    'loadTest.max': 'max',
+    'loadTest.distribution': 'Distribution:',
+    'loadTest.waiting': 'Waiting for the first responses…',
+    'loadTest.statuses': 'Responses by status',
+    'loadTest.status': 'Status',
+    'loadTest.count': 'Requests',
+    'loadTest.share': 'Share',
+    'loadTest.networkError': 'Network error'
+};
@@ -0,0 +1,738 @@
+// Spanish messages for custom.js, with the same keys and sections as locales/en.js.
+// Keys missing here are shown in English.
+window.DocsMessages = window.DocsMessages || {};
+window.DocsMessages.es = {
+    // Shared
+    'common.close': 'Cerrar',
+    'common.loadingDefinition': 'Cargando la definición...',
+    'common.loadDefinitionFailed': '❌ No se pudo cargar la definición: {error}',
+    'common.cancel': 'Cancelar',
+    'common.closeDialog': 'Cerrar el cuadro de diálogo',
+
+    // Language picker
+    'language.label': 'Idioma',
+    'language.changed': '🌐 Idioma: {language}',
+
+    // Version panel
+    'version.title': 'Información de la versión de la API',
+    'version.current': 'Versión actual:',
+    'version.status': 'Estado:',
+    'version.stable': 'Estable',
+    'version.lastUpdated': 'Última actualización:',
+    'version.breakingChanges': 'Cambios incompatibles:',
+    'version.checking': 'Comprobando...',
+    'version.compare': '🔀 Comparar versiones',
+    'version.noneAvailable': 'Ninguno',
+    'version.noneBetween': 'Ninguno entre {base} y {latest}',
+    'version.countBetween': '{count} entre {base} y {latest}',
+    'version.unknown': 'Desconocido (no se pudieron cargar las especificaciones)',
+
+    // Operations
+    'operations.idTooltip': 'ID de operación: {id}',
+
+    // Health check
+    'health.checkFailed': '❌ Falló la comprobación de estado de la API: {error}',
+    'health.healthy': '✅ ¡La API funciona correctamente! La biblioteca tiene {books} libros y {authors} autores.',
+    'health.slowNote': ' (lenta: {duration})',
+    'health.state.up': 'activa',
+    'health.state.slow': 'lenta',
+    'health.state.down': 'caída',
+    'health.state.unknown': 'desconocido',
+    'health.timeout': 'Sin respuesta en {seconds} s',
+    'health.backUp': '✅ La API vuelve a responder ({duration})',
+    'health.respondingSlowly': '🐢 La API responde lentamente ({duration})',
+    'health.isDown': '❌ La API no responde: {error}',
+    'health.stateChange': '{message} — antes: {previous}',
+    'health.indicator.paused': '{state} (en pausa)',
+    'health.indicator.off': 'MONITOR APAGADO',
+    'health.indicator.title': 'API {state} · {duration} · comprobada a las {time}',
+    'health.indicator.offTitle': 'El monitor de estado de la API está apagado. Haz clic para configurarlo.',
+    'health.indicator.ariaLabel': 'Estado de la API: {label}. Abrir el monitor de estado',
+
+    // Health monitor
+    'healthMonitor.title': 'Monitor de estado de la API',
+    'healthMonitor.background': 'Monitorizar en segundo plano',
+    'healthMonitor.every': 'Cada',
+    'healthMonitor.slowAbove': 'Lenta a partir de',
+    'healthMonitor.polls': 'Consulta {path}. Las peticiones que fallan o tardan más de {seconds} s cuentan como caídas.',
+    'healthMonitor.checkNow': '🏥 Comprobar ahora',
+    'healthMonitor.clear': '🗑️ Borrar historial',
+    'healthMonitor.empty': 'Aún no hay comprobaciones. Activa el monitor o pulsa «Comprobar ahora».',
+    'healthMonitor.current': 'Actual',
+    'healthMonitor.uptime': 'Disponibilidad',
+    'healthMonitor.average': 'Respuesta media',
+    'healthMonitor.counts': 'Activa / Lenta / Caída',
+    'healthMonitor.responseTime': { one: 'Tiempo de respuesta (última comprobación)', other: 'Tiempo de respuesta (últimas {count} comprobaciones)' },
+    'healthMonitor.timeline': 'Historial',
+    'healthMonitor.sparkline': 'Gráfico del tiempo de respuesta, máximo {max}',
+    'healthMonitor.max': 'máx. {max}',
+
+    // Quick Test
+    'quickTest.title': 'Prueba rápida',
+    'quickTest.heading': '🧪 Batería de pruebas de humo',
+    'quickTest.building': '⏳ Generando las pruebas a partir de la especificación...',
+    'quickTest.runAgain': '🔁 Volver a ejecutar',
+    'quickTest.downloadJUnit': '📄 Descargar JUnit XML',
+    'quickTest.passedNotice': { one: '✅ ¡Prueba rápida superada! {count} comprobación correcta.', other: '✅ ¡Prueba rápida superada! {count} comprobaciones correctas.' },
+    'quickTest.failedNotice': { one: '❌ Prueba rápida: falló {failed} de {count} comprobación.', other: '❌ Prueba rápida: fallaron {failed} de {count} comprobaciones.' },
+    'quickTest.failed': '❌ La prueba rápida falló: {error}',
+    'quickTest.requiresParameters': 'Requiere parámetros: {parameters}',
+    'quickTest.noListOperation': 'No hay ninguna operación de listado en {path} de la que tomar un id',
+    'quickTest.noIdInList': 'GET {path} no devolvió elementos con id',
+    'quickTest.requestFailed': 'La petición falló: {error}',
+    'quickTest.expectedSuccess': 'Se esperaba una respuesta correcta y se recibió HTTP {status}',
+    'quickTest.undocumentedStatus': 'HTTP {status} no está documentado (documentados: {documented})',
+    'quickTest.none': 'ninguno',
+    'quickTest.untyped': 'sin tipo',
+    'quickTest.unexpectedBody': 'HTTP {status} no documenta contenido, pero se devolvió un cuerpo {type}',
+    'quickTest.noContent': 'HTTP {status}, sin contenido, como está documentado',
+    'quickTest.undocumentedType': 'Content-Type «{type}» no está documentado para {status} ({documented})',
+    'quickTest.passedCount': '✅ {count} correctas',
+    'quickTest.failedCount': '❌ {count} fallidas',
+    'quickTest.skippedCount': '⏭️ {count} omitidas',
+    'quickTest.running': 'en curso...',
+    'quickTest.waitForRun': '⚠️ Espera a que termine la ejecución de las pruebas.',
+    'quickTest.reportDownloaded': '📄 Informe JUnit descargado',
+
+    // Scenario Runner
+    'scenarios.default.name': 'Ciclo de vida de un préstamo',
+    'scenarios.default.createAuthor': 'Crear autor',
+    'scenarios.default.createBook': 'Crear libro',
+    'scenarios.default.borrow': 'Prestar el libro',
+    'scenarios.default.return': 'Devolver el libro',
+    'scenarios.default.payFine': 'Pagar multa (no hay ninguna si se devuelve a tiempo)',
+    'scenarios.title': 'Ejecutor de escenarios',
+    'scenarios.new': '➕ Nuevo',
+    'scenarios.export': '📤 Exportar',
+    'scenarios.import': '📥 Importar',
+    'scenarios.delete': '🗑️ Eliminar',
+    'scenarios.save': '💾 Guardar',
+    'scenarios.run': '▶ Ejecutar',
+    'scenarios.name': 'Nombre',
+    'scenarios.addStep': '➕ Añadir paso',
+    'scenarios.help': 'Usa {variable} para las variables extraídas y {timestamp} para un valor único en cada ejecución. Extrae una variable por línea como {extract}; comprueba una condición por línea como {examples} o {exists}. Los pasos sin comprobación de estado deben devolver 2xx; un paso que falla detiene la ejecución.',
+    'scenarios.newName': 'Nuevo escenario',
+    'scenarios.customRequest': 'Petición personalizada',
+    'scenarios.stepName': 'Nombre del paso',
+    'scenarios.moveUp': 'Subir',
+    'scenarios.moveDown': 'Bajar',
+    'scenarios.removeStep': 'Quitar paso',
+    'scenarios.moveStepUp': 'Subir el paso {number}',
+    'scenarios.moveStepDown': 'Bajar el paso {number}',
+    'scenarios.removeStepNumber': 'Quitar el paso {number}',
+    'scenarios.body': 'Cuerpo JSON',
+    'scenarios.extract': 'Extraer',
+    'scenarios.assert': 'Comprobar',
+    'scenarios.noSteps': 'Aún no hay pasos. Elige una operación abajo para añadir uno.',
+    'scenarios.untitled': 'Escenario sin título',
+    'scenarios.stepLabel': 'Paso {number}',
+    'scenarios.badExtract': '{label}: no se puede leer la línea de extracción «{line}» (se esperaba nombre = $.ruta)',
+    'scenarios.badAssertion': '{label}: no se puede leer la comprobación «{line}»',
+    'scenarios.saved': '💾 Escenario «{name}» guardado',
+    'scenarios.confirmDelete': '¿Eliminar el escenario «{name}»?',
+    'scenarios.imported': { one: '📥 {count} escenario importado', other: '📥 {count} escenarios importados' },
+    'scenarios.importFailed': '❌ La importación falló: {error}',
+    'scenarios.invalidScenario': 'se esperaba un objeto de escenario con un array «steps»',
+    'scenarios.importedName': 'Escenario importado',
+    'scenarios.stepWithoutPath': 'el paso {number} no tiene ruta',
+    'scenarios.addStepFirst': '⚠️ Añade al menos un paso primero.',
+    'scenarios.failed': '❌ El escenario «{name}» falló',
+    'scenarios.passed': '✅ El escenario «{name}» se superó',
+    'scenarios.requestFailed': 'La petición falló: {error}',
+    'scenarios.status2xx': 'el estado es 2xx',
+    'scenarios.extractCheck': 'extraer {name} = {path}',
+    'scenarios.notFound': 'no encontrado',
+    'scenarios.checksFailed': { one: '{count} comprobación fallida', other: '{count} comprobaciones fallidas' },
+    'scenarios.checksPassed': { one: '{count} comprobación superada', other: '{count} comprobaciones superadas' },
+    'scenarios.unknownVariable': 'Variable desconocida {placeholder}',
+    'scenarios.jsonPathStart': 'El JSONPath debe empezar por $: {path}',
+    'scenarios.jsonPathSyntax': 'Sintaxis de JSONPath no admitida en «{rest}»',
+    'scenarios.runLog': 'Registro de ejecución — {name}',
+    'scenarios.skipped': 'omitido',
+    'scenarios.noResponse': 'sin respuesta',
+    'scenarios.stepSummary': '→ {status} en {duration} · {message}',
+    'scenarios.actual': 'valor real:',
+    'scenarios.responseBody': 'Cuerpo de la respuesta',
+    'scenarios.remaining': { one: '⏳ Queda {count} paso...', other: '⏳ Quedan {count} pasos...' },
+
+    // Notifications
+    'notifications.dismiss': 'Cerrar la notificación',
+
+    // Demo credentials in the Authorize dialog
+    'demoCredentials.title': '🎭 Credenciales de autenticación de demostración',
+    'demoCredentials.intro': 'Usa estas credenciales de demostración para probar la API:',
+    'demoCredentials.userRole': '👤 Rol de usuario',
+    'demoCredentials.librarianRole': '📚 Rol de bibliotecario',
+    'demoCredentials.adminRole': '👑 Rol de administrador',
+    'demoCredentials.apiKey': 'Clave de API:',
+    'demoCredentials.fillUser': 'Rellenar credenciales de usuario',
+    'demoCredentials.fillLibrarian': 'Rellenar credenciales de bibliotecario',
+    'demoCredentials.fillAdmin': 'Rellenar credenciales de administrador',
+    'demoCredentials.role.user': 'Usuario',
+    'demoCredentials.role.librarian': 'Bibliotecario',
+    'demoCredentials.role.admin': 'Administrador',
+    'demoCredentials.filled': '✅ ¡Credenciales de {role} rellenadas correctamente!',
+
+    // Authentication Helper
+    'authHelper.title': 'Asistente de autenticación',
+    'authHelper.methods': '🔐 Métodos de autenticación',
+    'authHelper.bearer': '1. Token Bearer (JWT)',
+    'authHelper.bearerText': 'Usa tokens JWT para autenticar usuarios. El token debe ir precedido de «Bearer ».',
+    'authHelper.apiKey': '2. Clave de API',
+    'authHelper.apiKeyText': 'Usa claves de API para autenticar servicios entre sí mediante la cabecera X-API-Key.',
+    'authHelper.apiKeyPlaceholder': 'tu-clave-de-api',
+    'authHelper.basic': '3. Autenticación básica',
+    'authHelper.basicText': 'Usa usuario y contraseña para la autenticación HTTP básica.',
+    'authHelper.oauth': '4. OAuth2 (simulado)',
+    'authHelper.oauthText': 'Simulación del flujo OAuth2 con fines de demostración.',
+    'authHelper.note': '⚠️ Nota:',
+    'authHelper.noteText': 'Esta es una API de demostración. Toda la autenticación es simulada y no se aplica seguridad real.',
+
+    // JWT Inspector and Token Builder
+    'jwt.inspector': '🔍 Inspector de JWT',
+    'jwt.pastePlaceholder': 'Pega un JWT (con o sin el prefijo Bearer)',
+    'jwt.inspectAuthorized': 'Inspeccionar el token autorizado',
+    'jwt.demoUser': 'Usuario de demostración',
+    'jwt.demoLibrarian': 'Bibliotecario de demostración',
+    'jwt.demoAdmin': 'Administrador de demostración',
+    'jwt.builder': '🛠️ Generador de tokens',
+    'jwt.subject': 'Sujeto',
+    'jwt.role': 'Rol',
+    'jwt.scopes': 'Ámbitos (separados por espacios)',
+    'jwt.expires': 'Caduca',
+    'jwt.additionalClaims': 'Claims adicionales (objeto JSON)',
+    'jwt.unsignedNote': 'Los tokens generados usan {alg} y no llevan firma; solo sirven para esta API de demostración.',
+    'jwt.build': 'Generar token',
+    'jwt.buildAndUse': 'Generar y usar como Bearer',
+    'jwt.expiry.minutes15': '15 minutos',
+    'jwt.expiry.hour1': '1 hora',
+    'jwt.expiry.day1': '1 día',
+    'jwt.expiry.days30': '30 días',
+    'jwt.expiry.expired': 'Ya caducado (hace 1 hora)',
+    'jwt.expiry.never': 'Nunca (sin claim exp)',
+    'jwt.claims.sub': 'Sujeto',
+    'jwt.claims.role': 'Rol',
+    'jwt.claims.scope': 'Ámbitos',
+    'jwt.claims.exp': 'Caduca',
+    'jwt.claims.iat': 'Emitido',
+    'jwt.claims.nbf': 'No antes de',
+    'jwt.claims.iss': 'Emisor',
+    'jwt.claims.aud': 'Audiencia',
+    'jwt.segmentCount': 'Se esperaban 3 segmentos separados por puntos y se encontraron {count}',
+    'jwt.badHeader': 'La cabecera no es un objeto JSON codificado en base64url',
+    'jwt.badPayload': 'El contenido no es un objeto JSON codificado en base64url',
+    'jwt.invalid': '❌ No es un JWT válido: {error}',
+    'jwt.noExp': '⚠️ Sin claim {exp}: este token no caduca nunca.',
+    'jwt.expired': '⛔ Este token caducó {when}.',
+    'jwt.notYetValid': '⛔ Este token no es válido hasta el {date}.',
+    'jwt.validUntil': '✅ Válido hasta el {date}.',
+    'jwt.unsigned': 'Token sin firmar',
+    'jwt.signedWith': 'Firmado con {alg}; aquí no se verifica la firma',
+    'jwt.unknownAlgorithm': 'un algoritmo desconocido',
+    'jwt.header': 'Cabecera',
+    'jwt.noBearer': '⚠️ Todavía no hay ningún token Bearer autorizado.',
+    'jwt.claimsNotJson': '❌ Los claims adicionales no son JSON válido: {error}',
+    'jwt.claimsNotObject': '❌ Los claims adicionales deben ser un objeto JSON.',
+    'jwt.built': '🛠️ Token generado; míralo en el inspector de arriba',
+    'jwt.bearerFilled': '✅ ¡Token Bearer para el rol «{role}» rellenado correctamente!',
+    'jwt.openAuthorize': '⚠️ Abre el diálogo Authorize para usar este token.',
+
+    // Spec download
+    'download.title': 'Descargar la especificación OpenAPI',
+    'download.options': '📥 Opciones de descarga',
+    'download.document': 'Documento',
+    'download.currentlySelected': 'Seleccionado actualmente ({version})',
+    'download.json': '📄 Descargar en formato JSON',
+    'download.yaml': '📝 Descargar en formato YAML',
+    'download.view': '👁️ Ver en una pestaña nueva',
+    'download.yamlDone': '📥 Especificación OpenAPI {version} descargada en formato YAML',
+    'download.yamlFailed': '❌ La exportación a YAML falló: {error}',
+    'download.jsonDone': '📥 Especificación OpenAPI {version} descargada en formato JSON',
+
+    // Spec Comparison
+    'specDiff.title': 'Comparar versiones de la API',
+    'specDiff.heading': '🔀 Comparación de versiones',
+    'specDiff.base': 'Base',
+    'specDiff.target': 'Destino',
+    'specDiff.compare': 'Comparar',
+    'specDiff.downloadMarkdown': '📝 Descargar Markdown',
+    'specDiff.copyMarkdown': '📋 Copiar Markdown',
+    'specDiff.selectTwo': 'Selecciona dos documentos para comparar.',
+    'specDiff.loading': '⏳ Cargando especificaciones...',
+    'specDiff.failed': '❌ La comparación falló: {error}',
+    'specDiff.identical': '✅ Los documentos son idénticos.',
+    'specDiff.runFirst': '⚠️ Ejecuta primero una comparación.',
+    'specDiff.downloaded': '📝 Informe de comparación descargado en Markdown',
+    'specDiff.copied': '📋 Informe Markdown copiado al portapapeles',
+    'specDiff.copyFailed': '❌ No se pudo copiar: {error}',
+    'specDiff.category.breaking': 'Incompatibles',
+    'specDiff.category.nonBreaking': 'Compatibles',
+    'specDiff.category.documentation': 'Solo documentación',
+    'specDiff.area.info': 'información',
+    'specDiff.area.tags': 'etiquetas',
+    'specDiff.area.security': 'seguridad',
+    'specDiff.area.paths': 'rutas',
+    'specDiff.area.operation': 'operación',
+    'specDiff.area.parameters': 'parámetros',
+    'specDiff.area.request body': 'cuerpo de la petición',
+    'specDiff.area.responses': 'respuestas',
+    'specDiff.markdown.title': 'Cambios en la API: {base} → {target}',
+    'specDiff.markdown.compared': 'Se comparó {base} ({baseVersion}) con {target} ({targetVersion}) el {date}.',
+    'specDiff.markdown.unknownVersion': 'desconocida',
+    'specDiff.markdown.section': '{emoji} Cambios: {label}',
+    'specDiff.subject.title': 'Título',
+    'specDiff.subject.description': 'Descripción',
+    'specDiff.subject.summary': 'Resumen',
+    'specDiff.subject.tagDescription': 'Descripción de la etiqueta',
+    'specDiff.subject.securitySchemeDescription': 'Descripción del esquema de seguridad',
+    'specDiff.subject.requestBodyDescription': 'Descripción del cuerpo de la petición',
+    'specDiff.subject.responseDescription': 'Descripción de la respuesta {status}',
+    'specDiff.subject.descriptionOf': 'Descripción de {subject}',
+    'specDiff.subject.parameter': 'parámetro {in} «{name}»',
+    'specDiff.textAdded': '{subject}: se añadió',
+    'specDiff.textRemoved': '{subject}: se eliminó',
+    'specDiff.textChanged': '{subject}: cambió',
+    'specDiff.pathRemoved': 'Ruta eliminada',
+    'specDiff.pathAdded': 'Ruta añadida',
+    'specDiff.operationRemoved': 'Operación eliminada',
+    'specDiff.operationAdded': 'Operación añadida',
+    'specDiff.securitySchemeRemoved': 'Esquema de seguridad eliminado',
+    'specDiff.securitySchemeAdded': 'Esquema de seguridad añadido',
+    'specDiff.securitySchemeFieldChanged': 'El campo {field} del esquema de seguridad cambió de «{before}» a «{after}»',
+    'specDiff.operationIdChanged': 'operationId cambió de «{before}» a «{after}»',
+    'specDiff.operationDeprecated': 'Operación marcada como obsoleta',
+    'specDiff.operationUndeprecated': 'La operación ya no está obsoleta',
+    'specDiff.tagsChanged': 'Las etiquetas cambiaron de [{before}] a [{after}]',
+    'specDiff.requiredAdded': '{subject}: se añadió como obligatorio',
+    'specDiff.optionalAdded': '{subject}: se añadió como opcional',
+    'specDiff.becameRequired': '{subject}: pasó a ser obligatorio',
+    'specDiff.becameOptional': '{subject}: pasó a ser opcional',
+    'specDiff.deprecated': '{subject}: marcado como obsoleto',
+    'specDiff.requestBodyAddedRequired': 'Se añadió un cuerpo de petición obligatorio',
+    'specDiff.requestBodyAddedOptional': 'Se añadió un cuerpo de petición opcional',
+    'specDiff.requestBodyRemoved': 'Cuerpo de la petición eliminado',
+    'specDiff.requestBodyBecameRequired': 'El cuerpo de la petición pasó a ser obligatorio',
+    'specDiff.responseRemoved': 'Respuesta {status} eliminada',
+    'specDiff.responseAdded': 'Respuesta {status} añadida',
+    'specDiff.mediaTypeRemoved': '{subject}: se eliminó el tipo de medio {mediaType}',
+    'specDiff.mediaTypeAdded': '{subject}: se añadió el tipo de medio {mediaType}',
+    'specDiff.none': 'ninguno',
+    'specDiff.typeChanged': '{pointer}: el tipo cambió de {before} a {after}',
+    'specDiff.formatChanged': '{pointer}: el formato cambió de {before} a {after}',
+    'specDiff.becameNullable': '{pointer}: ahora admite null',
+    'specDiff.noLongerNullable': '{pointer}: ya no admite null',
+    'specDiff.exampleChanged': '{pointer}: el ejemplo cambió',
+    'specDiff.propertyRemoved': '{pointer}: propiedad eliminada',
+    'specDiff.propertyAdded': '{pointer}: propiedad añadida',
+    'specDiff.requiredPropertyAdded': '{pointer}: propiedad obligatoria añadida',
+    'specDiff.propertyBecameRequired': '{pointer}: pasó a ser obligatoria',
+    'specDiff.propertyNoLongerRequired': '{pointer}: ya no es obligatoria',
+    'specDiff.enumRemoved': '{pointer}: valores de enumeración eliminados {values}',
+    'specDiff.enumAdded': '{pointer}: valores de enumeración añadidos {values}',
+    'specDiff.constraintChanged': '{pointer}: {field} cambió de {before} a {after}',
+    'specDiff.patternChanged': '{pointer}: el patrón cambió',
+    'specDiff.authRequired': 'Ahora se requiere autenticación ({requirements})',
+    'specDiff.authNoLongerRequired': 'Ya no se requiere autenticación',
+    'specDiff.requirementRemoved': 'El requisito de seguridad {requirement} ya no se acepta',
+    'specDiff.requirementAdded': 'El requisito de seguridad {requirement} ahora se acepta',
+
+    // API Explorer
+    'explorer.title': 'Explorador de la API',
+    'explorer.heading': '🗺️ Explorador rápido de la API',
+    'explorer.empty': 'Esta definición todavía no tiene operaciones.',
+    'explorer.noDescription': 'Sin descripción',
+    'explorer.noOperations': 'Sin operaciones',
+    'explorer.deprecated': '⚠️ {count} obsoletas: {operations}',
+
+    // Theme
+    'theme.light': 'Claro',
+    'theme.dark': 'Oscuro',
+    'theme.highContrast': 'Alto contraste',
+    'theme.system': 'Sistema',
+    'theme.systemNow': '{theme} (ahora {current})',
+    'theme.title': 'Tema: {theme}. Haz clic para pasar al siguiente tema.',
+    'theme.ariaLabel': 'Tema: {theme}. Cambiar al siguiente tema',
+    'theme.changed': '{icon} Tema: {theme}',
+
+    // Keyboard Shortcuts
+    'shortcuts.palette': 'Paleta de comandos (operaciones, esquemas, etiquetas, acciones)',
+    'shortcuts.download': 'Descargar la especificación OpenAPI',
+    'shortcuts.help': 'Mostrar esta ayuda',
+    'shortcuts.title': 'Atajos de teclado',
+    'shortcuts.heading': '⌨️ Atajos de teclado',
+    'shortcuts.escape': 'Cerrar diálogos, la paleta de comandos y el panel de historial',
+
+    // Actions (command palette and topbar)
+    'actions.downloadSpec': 'Descargar especificación',
+    'actions.healthCheck': 'Comprobar estado',
+    'actions.healthMonitor': 'Monitor de estado',
+    'actions.quickTest': 'Ejecutar prueba rápida',
+    'actions.quickTestShort': 'Prueba rápida',
+    'actions.nextTheme': 'Siguiente tema',
+    'actions.theme': 'Tema: {theme}',
+    'actions.authHelper': 'Autenticación',
+    'actions.explorer': 'Explorador de la API',
+    'actions.explorerShort': 'Explorador',
+    'actions.dashboard': 'Panel de la biblioteca',
+    'actions.dashboardShort': 'Panel',
+    'actions.loansConsole': 'Consola de préstamos',
+    'actions.loansConsoleShort': 'Préstamos',
+    'actions.compareVersions': 'Comparar versiones',
+    'actions.scenarios': 'Ejecutor de escenarios',
+    'actions.scenariosShort': 'Escenarios',
+    'actions.contractDrift': 'Resumen de desviaciones del contrato',
+    'actions.contractDriftShort': 'Desviaciones',
+    'actions.history': 'Historial de peticiones',
+    'actions.historyShort': 'Historial',
+    'actions.exportRequests': 'Exportar peticiones (Postman, HAR, .http)',
+    'actions.exportRequestsShort': 'Exportar peticiones',
+    'actions.latency': 'Análisis de latencia',
+    'actions.mockMode': 'Modo simulado',
+    'actions.environments': 'Gestionar entornos',
+    'actions.keyboardHelp': 'Atajos de teclado',
+
+    // Command Palette
+    'palette.label': 'Paleta de comandos',
+    'palette.placeholder': 'Buscar operaciones, esquemas, etiquetas y acciones…',
+    'palette.searchLabel': 'Buscar operaciones, esquemas, etiquetas y acciones',
+    'palette.results': 'Resultados',
+    'palette.hint': '{up} {down} navegar · {enter} abrir · {esc} cerrar',
+    'palette.action': 'Acción',
+    'palette.tag': 'Etiqueta',
+    'palette.schema': 'Esquema',
+    'palette.noMatches': 'Sin resultados',
+    'palette.recent': 'reciente',
+
+    // Environment Switcher
+    'environments.local': 'Local (este servidor)',
+    'environments.profile.development': 'Desarrollo',
+    'environments.profile.testing': 'Pruebas',
+    'environments.profile.production': 'Producción',
+    'environments.selectLabel': 'Entorno para las peticiones de prueba',
+    'environments.manage': 'Gestionar entornos',
+    'environments.none': '🌐 Sin entorno',
+    'environments.banner': '🚨 {name}: las peticiones de prueba van a {url} y pueden modificar datos reales',
+    'environments.cleared': '🌐 Las peticiones van a este servidor con las credenciales del diálogo Authorize',
+    'environments.switched': '🌐 Cambiado a {name} ({url})',
+    'environments.title': 'Entornos',
+    'environments.intro': 'El perfil seleccionado redirige las peticiones de prueba, las repetidas, las de la prueba rápida y las comprobaciones de estado. Su clave de API y su token Bearer sustituyen a las credenciales del diálogo Authorize; déjalos vacíos para conservar esas. Los perfiles se guardan en el localStorage de este navegador.',
+    'environments.add': '➕ Añadir perfil',
+    'environments.save': '💾 Guardar',
+    'environments.restore': '↩️ Restaurar valores predeterminados',
+    'environments.name': 'Nombre',
+    'environments.baseUrl': 'URL base',
+    'environments.apiKey': 'Clave de API',
+    'environments.bearerToken': 'Token Bearer',
+    'environments.production': 'Producción',
+    'environments.delete': 'Eliminar perfil',
+    'environments.deleteNamed': 'Eliminar el perfil {name}',
+    'environments.empty': 'Todavía no hay perfiles.',
+    'environments.unnamed': 'Sin nombre',
+    'environments.newProfile': 'Nuevo entorno',
+    'environments.needsAbsoluteUrl': '❌ «{name}» necesita una URL base http(s) absoluta',
+    'environments.saved': '💾 Entornos guardados',
+
+    // Mock Mode
+    'mock.settings': 'Ajustes del modo simulado',
+    'mock.on': '🎭 SIMULACIÓN ACTIVA',
+    'mock.off': '🎭 Simulación desactivada',
+    'mock.toggleOn': 'Modo simulado activado. Abrir los ajustes del modo simulado',
+    'mock.toggleOff': 'Modo simulado desactivado. Abrir los ajustes del modo simulado',
+    'mock.title': 'Modo simulado',
+    'mock.answerLocally': 'Responder localmente a las peticiones de prueba',
+    'mock.delay': 'Retardo',
+    'mock.intro': 'Las respuestas salen de la definición seleccionada: los ejemplos documentados si los hay y, si no, valores generados a partir del esquema de respuesta. Los parámetros de ruta como {id} y los campos JSON de la petición se copian en los campos de la respuesta con el mismo nombre. Las llamadas simuladas llevan la cabecera {header} y no cuentan en las métricas de latencia ni en el historial de peticiones.',
+    'mock.statusPerOperation': 'Estado por operación',
+    'mock.resetStatuses': '↩️ Restablecer estados',
+    'mock.defaultStatus': 'Predeterminado ({status})',
+    'mock.enabled': '🎭 Modo simulado activado: las peticiones de prueba ya no llegan a la API',
+    'mock.disabled': '🎭 Modo simulado desactivado',
+
+    // Response Schema Validation
+    'validation.statusUndocumented': 'el estado {status} no está documentado (documentados: {documented})',
+    'validation.none': 'ninguno',
+    'validation.noSchema': 'no hay esquema documentado para este estado',
+    'validation.noBody': 'la respuesta no tiene cuerpo pero hay un esquema documentado',
+    'validation.notValidated': 'las respuestas {type} no se validan',
+    'validation.invalidJson': 'el cuerpo no es JSON válido',
+    'validation.notNullable': 'es null pero el esquema no admite null',
+    'validation.noAlternative': 'no coincide con ninguno de los esquemas {keyword}',
+    'validation.wrongType': 'se esperaba {expected} y se recibió {actual}',
+    'validation.notInEnum': '{value} no es uno de {options}',
+    'validation.badFormat': '{value} no es un {format} válido',
+    'validation.notInt32': '{value} no cabe en int32',
+    'validation.empty': 'no puede estar vacío',
+    'validation.minLength': 'debe tener al menos {min} caracteres (tiene {length})',
+    'validation.maxLength': 'debe tener como máximo {max} caracteres (tiene {length})',
+    'validation.pattern': 'no coincide con el patrón {pattern}',
+    'validation.greaterThan': 'debe ser mayor que {min}',
+    'validation.atLeast': 'debe ser como mínimo {min}',
+    'validation.lessThan': 'debe ser menor que {max}',
+    'validation.atMost': 'debe ser como máximo {max}',
+    'validation.requiredMissing': 'falta una propiedad obligatoria',
+    'validation.notAllowed': 'el esquema no permite esta propiedad',
+    'validation.undocumented': 'la propiedad no está documentada',
+    'validation.absent': 'falta una propiedad documentada',
+    'validation.errors': { one: '{count} error', other: '{count} errores' },
+    'validation.warnings': { one: '{count} advertencia', other: '{count} advertencias' },
+    'validation.skipped': '📐 Comprobación del esquema omitida: {reason}',
+    'validation.matches': '📐 La respuesta {status} coincide con el esquema documentado',
+    'validation.drifts': '📐 La respuesta {status} se desvía del esquema documentado: {errors}, {warnings}',
+    'validation.driftSummaryLink': 'Resumen de desviaciones',
+    'drift.title': 'Desviaciones del contrato',
+    'drift.intro': 'Operaciones cuyas respuestas reales no coincidieron con el esquema documentado durante esta sesión.',
+    'drift.reset': '🗑️ Restablecer',
+    'drift.empty': 'Todavía no se ha comprobado ninguna respuesta. Usa «Try it out» en cualquier operación.',
+    'drift.summary': { one: '{drifted} de {count} operación comprobada se desvió.', other: '{drifted} de {count} operaciones comprobadas se desviaron.' },
+    'drift.row': { one: 'desviada en {drifted}/{count} respuesta; última {status} a las {time}: {errors}, {warnings}', other: 'desviada en {drifted}/{count} respuestas; última {status} a las {time}: {errors}, {warnings}' },
+    'drift.skipped': 'Omitida: {reason}',
+    'drift.matched': 'La última respuesta coincidió con el esquema.',
+
+    // Request Body Forms
+    'bodyForm.choose': '-- elegir --',
+    'bodyForm.notSet': '(sin valor)',
+    'bodyForm.range': 'de {min} a {max}',
+    'bodyForm.maxChars': 'máx. {max} caracteres',
+    'bodyForm.optional': 'opcional',
+    'bodyForm.jsonOnly': '{ } Solo JSON',
+    'bodyForm.formView': '📝 Vista de formulario',
+    'bodyForm.notObject': 'el cuerpo no es un objeto JSON',
+    'bodyForm.unparsable': '⚠️ El JSON de abajo no se puede analizar ({error}); los cambios en el formulario lo sustituirán.',
+    'bodyForm.invalidJson': 'Todavía no es JSON válido',
+    'bodyForm.body': 'cuerpo',
+    'bodyForm.notSent': { one: 'Petición no enviada: {count} campo por corregir ({fields})', other: 'Petición no enviada: {count} campos por corregir ({fields})' },
+
+    // Response Table View
+    'table.stop': '⏹ Detener (página {page} de {total})',
+    'table.fetchAll': { one: '⏬ Obtener {count} página', other: '⏬ Obtener las {count} páginas' },
+    'table.hide': '{ } Ocultar tabla',
+    'table.show': '▦ Vista de tabla',
+    'table.filter': 'Filtrar filas…',
+    'table.filterLabel': 'Filtrar filas',
+    'table.pageOf': ' · página {page} de {total}, {count} en total',
+    'table.allPages': ' · todas las páginas',
+    'table.rows': { one: '{count} fila', other: '{count} filas' },
+    'table.filteredRows': { one: '{shown} de {count} fila', other: '{shown} de {count} filas' },
+    'table.noMatches': 'Ninguna fila coincide con el filtro.',
+    'table.truncated': 'Se muestran las primeras {shown} de {count} filas; las exportaciones las incluyen todas.',
+    'table.fetched': { one: '⏬ Se obtuvieron {rows} filas de {count} página', other: '⏬ Se obtuvieron {rows} filas de {count} páginas' },
+    'table.fetchStopped': '⏹ Se detuvo la obtención de páginas; la tabla sigue mostrando la respuesta original',
+    'table.fetchFailed': '❌ No se pudieron obtener todas las páginas: {error}',
+    'table.pageFailed': 'HTTP {status} en la página {page}',
+    'table.tooManyPages': 'detenido tras {max} páginas',
+    'table.exported': { one: '📄 {count} fila exportada como {format}', other: '📄 {count} filas exportadas como {format}' },
+
+    // Library Dashboard
+    'dashboard.title': 'Panel de la biblioteca',
+    'dashboard.heading': '📊 Panel de la biblioteca',
+    'dashboard.genres': 'Libros por género',
+    'dashboard.bookStatus': 'Libros por estado',
+    'dashboard.loansOverTime': 'Préstamos por mes',
+    'dashboard.loanStatus': 'Préstamos por estado',
+    'dashboard.topAuthors': 'Autores más prestados',
+    'dashboard.ratings': 'Distribución de valoraciones',
+    'dashboard.refresh': '🔄 Actualizar',
+    'dashboard.httpError': 'HTTP {status} desde {path}',
+    'dashboard.loading': '⏳ Cargando...',
+    'dashboard.updated': 'Actualizado a las {time}',
+    'dashboard.books': 'Libros',
+    'dashboard.authors': 'Autores',
+    'dashboard.availableCopies': 'Ejemplares disponibles',
+    'dashboard.activeLoans': 'Préstamos activos',
+    'dashboard.overdueLoans': 'Préstamos vencidos',
+    'dashboard.finesCollected': 'Multas cobradas',
+    'dashboard.averageRating': 'Valoración media',
+    'dashboard.library': 'Biblioteca',
+    'dashboard.dataAsOf': 'Datos de {name} a fecha de {date}',
+    'dashboard.available': 'Disponibles',
+    'dashboard.allOnLoan': 'Todos los ejemplares prestados',
+    'dashboard.inactive': 'Inactivos',
+    'dashboard.copiesOnShelf': '{available} de {total} ejemplares en la estantería',
+    'dashboard.noLoans': 'Todavía no hay préstamos registrados.',
+    'dashboard.lastMonths': 'Últimos {shown} meses de {total}',
+    'dashboard.overdue': 'Vencido',
+    'dashboard.status': 'Estado {status}',
+    'dashboard.noAuthorLoans': 'Todavía ningún autor tiene préstamos.',
+    'dashboard.authorTitle': { one: '{name}: {loans} préstamos, {count} libro', other: '{name}: {loans} préstamos, {count} libros' },
+    'dashboard.mostPopular': 'más popular: {title}',
+    'dashboard.comparedAuthors': 'Se compararon los primeros {compared} de {total} autores',
+    'dashboard.unrated': 'Sin valorar',
+    'dashboard.topRated': 'Mejor valorados:',
+    'dashboard.noData': 'Sin datos.',
+    'dashboard.max': 'máx. {max}',
+    'dashboard.chart.genres': 'Libros por género',
+    'dashboard.chart.bookStatus': 'Libros por estado',
+    'dashboard.chart.loansPerMonth': 'Préstamos por mes',
+    'dashboard.chart.loanStatus': 'Préstamos por estado',
+    'dashboard.chart.topAuthors': 'Autores más prestados',
+    'dashboard.chart.ratings': 'Libros por valoración media',
+    'dashboard.unit.books': 'libros',
+    'dashboard.unit.loans': 'préstamos',
+    'dashboard.count.books': { one: '{count} libro', other: '{count} libros' },
+    'dashboard.count.loans': { one: '{count} préstamo', other: '{count} préstamos' },
+
+    // Loans Console
+    'loans.returned': 'Devuelto',
+    'loans.renewed': 'Renovado',
+    'loans.finePaid': 'Multa pagada',
+    'loans.return': 'Devolver',
+    'loans.renew': 'Renovar',
+    'loans.payFine': 'Pagar multa',
+    'loans.title': 'Consola de préstamos',
+    'loans.heading': '📋 Préstamos vencidos',
+    'loans.renewNote': 'La biblioteca no renueva préstamos vencidos, así que Renovar no está disponible aquí hasta que el préstamo se devuelva y se vuelva a prestar.',
+    'loans.filter': 'Filtrar por lector, correo o libro…',
+    'loans.filterLabel': 'Filtrar préstamos vencidos',
+    'loans.returnSelected': '↩️ Devolver seleccionados',
+    'loans.returnSelectedCount': '↩️ Devolver seleccionados ({count})',
+    'loans.refresh': '🔄 Actualizar',
+    'loans.loading': '⏳ Cargando préstamos vencidos...',
+    'loans.loadFailed': '❌ No se pudieron cargar los préstamos vencidos: {error}',
+    'loans.needsAuth': '; configura antes las credenciales con 🔐 Autenticación o Authorize',
+    'loans.none': '✅ No hay préstamos vencidos.',
+    'loans.selectAll': 'Seleccionar todos los préstamos mostrados',
+    'loans.column.loan': 'Préstamo',
+    'loans.column.book': 'Libro',
+    'loans.column.borrower': 'Lector',
+    'loans.column.due': 'Vence',
+    'loans.column.daysOverdue': 'Días de retraso',
+    'loans.column.fine': 'Multa',
+    'loans.column.actions': 'Acciones',
+    'loans.column.outcome': 'Resultado',
+    'loans.summary': { one: '{count} préstamo vencido sin devolver · {fines} en multas acumuladas', other: '{count} préstamos vencidos sin devolver · {fines} en multas acumuladas' },
+    'loans.shown': ' · {count} mostrados',
+    'loans.actionLabel': '{verb} el préstamo n.º {id}',
+    'loans.selectLoan': 'Seleccionar el préstamo n.º {id}',
+    'loans.estimated': 'Estimada a {rate} por día; se cobra al devolver',
+    'loans.accrued': 'acumulada',
+    'loans.paid': 'pagada',
+    'loans.alreadyReturned': 'Ya devuelto',
+    'loans.cannotRenew': 'Los préstamos vencidos y los que alcanzaron el límite de renovaciones no se pueden renovar',
+    'loans.fineAlreadyPaid': 'La multa ya está pagada',
+    'loans.fineOnReturn': 'La multa se cobra cuando se devuelve el libro',
+    'loans.announce': 'Préstamo n.º {id}: {message}',
+    'loans.confirmReturn': { one: '¿Devolver {count} préstamo?', other: '¿Devolver {count} préstamos?' },
+    'loans.bulkPartial': '⚠️ Se devolvieron {returned} de {count} préstamos; consulta la columna de resultado para ver los fallos',
+    'loans.bulkDone': { one: '✅ {count} préstamo devuelto', other: '✅ {count} préstamos devueltos' },
+    'loans.returnedLate': 'Devuelto con retraso · multa de {amount}',
+    'loans.renewedUntil': 'Renovado · vence el {date}',
+    'loans.requestFailed': 'la petición falló',
+    'loans.notAuthorized': 'no autorizado',
+
+    // Performance metrics and latency analytics
+    'metrics.title': 'Haz clic para ver la latencia por operación',
+    'metrics.requests': '📊 Peticiones: {count} · {operations} ops.',
+    'metrics.errors': '❗ Errores: {rate}',
+    'latency.title': 'Análisis de latencia',
+    'latency.heading': '📊 Latencia por operación',
+    'latency.intro': 'Llamadas de «Try it out» y repeticiones, agrupadas por la operación cuya plantilla de ruta coincide con la URL. Los errores incluyen 4xx, 5xx y fallos de red.',
+    'latency.exportCsv': '📄 Exportar CSV',
+    'latency.reset': '🔄 Reiniciar',
+    'latency.empty': 'Aún no se ha medido ninguna petición. Usa «Try it out» en cualquier operación.',
+    'latency.column.operation': 'Operación',
+    'latency.column.count': 'Total',
+    'latency.column.min': 'Mín.',
+    'latency.column.max': 'Máx.',
+    'latency.column.errors': 'Errores',
+    'latency.column.histogram': 'Histograma',
+    'latency.noTemplate': '(sin plantilla coincidente)',
+    'latency.resetDone': '🔄 Estadísticas de latencia reiniciadas',
+    'latency.nothingToExport': '⚠️ Aún no hay datos de latencia que exportar.',
+    'latency.exported': '📄 Estadísticas de latencia exportadas como CSV',
+
+    // Request history
+    'history.confirmClear': '¿Eliminar todas las peticiones registradas?',
+    'history.cleared': '🗑️ Historial de peticiones borrado',
+    'history.clearFailed': '❌ No se pudo borrar el historial: {error}',
+    'history.heading': '🕘 Historial de peticiones',
+    'history.clear': 'Borrar',
+    'history.close': 'Cerrar el historial de peticiones',
+    'history.search': 'Buscar por método, URL, estado o cuerpo...',
+    'history.searchLabel': 'Buscar en el historial de peticiones',
+    'history.diffSelected': '🔀 Comparar selección',
+    'history.export': '📤 Exportar',
+    'history.diffHint': 'Marca dos entradas para comparar sus respuestas',
+    'history.noMatches': 'Ninguna petición coincide con la búsqueda.',
+    'history.empty': 'Aún no hay peticiones registradas. Usa «Try it out» para hacer una llamada.',
+    'history.source.replay': '↻ repetición',
+    'history.source.scenario': '🎬 escenario',
+    'history.source.loans-console': '📋 consola de préstamos',
+    'history.resend': '↻ Reenviar',
+    'history.edit': '✏️ Editar y reenviar',
+    'history.details': '🔍 Detalles',
+    'history.replayed': '↻ {method} repetido: HTTP {status}',
+    'history.replayFailed': '❌ Falló la repetición: {error}',
+    'history.editTitle': 'Editar y reenviar la petición',
+    'history.headersJson': 'Cabeceras (JSON)',
+    'history.redactedHint': 'Los valores {value} se sustituyen por las credenciales introducidas ahora en Authorize.',
+    'history.body': 'Cuerpo',
+    'history.send': '↻ Enviar',
+    'history.invalidHeaders': '❌ Las cabeceras deben ser JSON válido: {error}',
+    'history.recordedTitle': 'Petición registrada',
+    'history.networkError': 'Error de red',
+    'history.status': 'Estado <strong>{status}</strong> en {duration} · {time}',
+    'history.none': '(ninguna)',
+    'history.requestHeaders': 'Cabeceras de la petición',
+    'history.requestBody': 'Cuerpo de la petición',
+    'history.responseHeaders': 'Cabeceras de la respuesta',
+    'history.responseBody': 'Cuerpo de la respuesta',
+    'history.selectTwo': '⚠️ Selecciona exactamente dos peticiones para compararlas.',
+    'history.diffTitle': 'Diferencias entre respuestas',
+
+    // Request export
+    'export.title': 'Exportar peticiones',
+    'export.wholeSpec': 'Especificación completa ({version})',
+    'export.recorded': 'Peticiones registradas',
+    'export.selectAll': 'Seleccionar todo',
+    'export.loading': 'Cargando…',
+    'export.includeCredentials': 'Incluir las credenciales actuales en las variables (los tokens y las claves de API acaban en los archivos)',
+    'export.postmanHint': 'colección + entorno',
+    'export.harHint': 'con tiempos',
+    'export.httpFile': 'archivo .http',
+    'export.readFailed': '❌ No se pudo leer el historial de peticiones: {error}',
+    'export.selected': '{selected} de {count} seleccionadas',
+    'export.nothing': '⚠️ No hay nada que exportar: selecciona al menos una petición.',
+    'export.done': { one: '📤 {count} petición exportada', other: '📤 {count} peticiones exportadas' },
+    'export.failed': '❌ Falló la exportación: {error}',
+
+    // Load test
+    'loadTest.open': '⚡ Prueba de carga',
+    'loadTest.title': 'Prueba de carga',
+    'loadTest.noRequest': '⚠️ Ejecuta antes la operación con «Try it out»; la prueba de carga repite esa petición.',
+    'loadTest.unsupportedBody': '⚠️ Solo se pueden probar con carga las peticiones con cuerpo JSON o de texto.',
+    'loadTest.intro': 'Repite la última petición de «Try it out» de esta operación, con los mismos parámetros, cuerpo y credenciales. Las peticiones de la prueba de carga no se suman a las métricas de rendimiento ni al historial. Los navegadores abren como máximo seis conexiones por host con HTTP/1.1, así que una concurrencia mayor queda en cola en el navegador.',
+    'loadTest.mockNote': '🎭 El modo simulado está activado: las respuestas salen de los ejemplos documentados, no del servidor.',
+    'loadTest.requests': 'Peticiones',
+    'loadTest.mode': 'Modo',
+    'loadTest.mode.concurrency': 'Concurrencia fija',
+    'loadTest.mode.rate': 'Ritmo fijo',
+    'loadTest.concurrency': 'Concurrencia',
+    'loadTest.rate': 'Ritmo (pet./s)',
+    'loadTest.start': '▶ Iniciar',
+    'loadTest.stop': '⏹ Detener',
+    'loadTest.confirmWrite': { one: 'Se enviará {count} petición {method}, que puede modificar datos. ¿Continuar?', other: 'Se enviarán {count} peticiones {method}, y cada una puede modificar datos. ¿Continuar?' },
+    'loadTest.confirmProduction': 'El entorno activo «{name}» está marcado como producción. ¿Hacer la prueba de carga de todos modos?',
+    'loadTest.started': { one: 'Prueba de carga iniciada: {count} petición', other: 'Prueba de carga iniciada: {count} peticiones' },
+    'loadTest.finished': { one: 'Prueba de carga terminada: {count} petición en {duration} s', other: 'Prueba de carga terminada: {count} peticiones en {duration} s' },
+    'loadTest.stopped': { one: 'Prueba de carga detenida tras {count} petición', other: 'Prueba de carga detenida tras {count} peticiones' },
+    'loadTest.completed': 'Completadas',
+    'loadTest.progress': '{completed} / {count}',
+    'loadTest.throughput': 'Rendimiento medio',
+    'loadTest.perSecond': '{rate} pet./s',
+    'loadTest.lastSecond': 'Último segundo',
+    'loadTest.elapsed': 'Duración',
+    'loadTest.seconds': '{seconds} s',
+    'loadTest.inFlight': 'En curso',
+    'loadTest.lateStarts': 'Inicios con retraso',
+    'loadTest.lateNote': 'El ritmo fijo mantiene como máximo {max} peticiones en curso. Las peticiones que tocaban mientras todas estaban ocupadas empezaron con retraso, así que el rendimiento y las latencias incluyen esa espera en el navegador.',
+    'loadTest.errors': 'Errores (4xx, 5xx, red)',
+    'loadTest.percentiles': 'Percentiles de latencia',
+    'loadTest.max': 'máx.',
+    'loadTest.distribution': 'Distribución:',
+    'loadTest.waiting': 'Esperando las primeras respuestas…',
+    'loadTest.statuses': 'Respuestas por estado',
+    'loadTest.status': 'Estado',
+    'loadTest.count': 'Peticiones',
+    'loadTest.share': 'Porcentaje',
+    'loadTest.networkError': 'Error de red'
+};